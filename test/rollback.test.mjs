@@ -0,0 +1,62 @@
+// Rollback après l'échec d'un hook postGenerate: le journal du projet est supprimé avec lui,
+// la fin du rollback et le journal de repli doivent quand même être écrits
+import { spawnSync } from "child_process";
+import { existsSync, mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import assert from "node:assert/strict";
+import { after, test } from "node:test";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const CONFIG_SCRIPT = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "config.mjs");
+const workDir = mkdtempSync(path.join(os.tmpdir(), "starterkit-rollback-"));
+
+after(() => rmSync(workDir, { recursive: true, force: true }));
+
+// Template local minimal (aucune dépendance à télécharger) dont le hook échoue
+function createFailingTemplate() {
+  const templateDir = path.join(workDir, "template");
+  mkdirSync(path.join(templateDir, "src", "pages"), { recursive: true });
+  writeFileSync(path.join(templateDir, "package.json"), JSON.stringify({ name: "template", type: "module", dependencies: {} }));
+  writeFileSync(path.join(templateDir, "astro.config.mjs"), "export default {};\n");
+  writeFileSync(path.join(templateDir, "src", "pages", "index.astro"), "<h1>Test</h1>\n");
+  writeFileSync(
+    path.join(templateDir, "starterkit.template.json"),
+    JSON.stringify({ name: "Failing hook", hooks: { postGenerate: ["exit 3"] } })
+  );
+  return templateDir;
+}
+
+test("un hook en échec annule la configuration sans planter sur le journal", () => {
+  const templateDir = createFailingTemplate();
+  const runDir = path.join(workDir, "run");
+  mkdirSync(runDir);
+
+  const result = spawnSync(
+    process.execPath,
+    [
+      CONFIG_SCRIPT,
+      "--yes",
+      "--lang", "en",
+      "--project-name", "shop",
+      "--template", "custom",
+      "--template-source", templateDir,
+      "--package-manager", "npm",
+      "--no-tailwind",
+      "--framework", "none",
+      "--cms", "none",
+    ],
+    { cwd: runDir, encoding: "utf8", timeout: 300_000 }
+  );
+  const output = result.stdout + result.stderr;
+
+  assert.equal(result.status, 1, output);
+  assert.doesNotMatch(output, /ENOENT/);
+  assert.match(output, /Changes undone/);
+  assert.equal(existsSync(path.join(runDir, "shop")), false);
+
+  // Journal de repli dans le dossier de lancement, avec la fin du rollback et l'événement de résultat
+  const log = readFileSync(path.join(runDir, "setup.log"), "utf8");
+  assert.match(log, /Changes undone/);
+  assert.match(log, /RESULT .*"status":"failed"/);
+});